@@ -2,9 +2,25 @@
 
 const STRING_TITLE_PRE = "Escape from";
 const STRING_TITLE = "Ganymede";
-const STRING_START = "Press SPACE to start";
 const STRING_GAME_OVER = "Game Over";
-const STRING_RESTART = "Press SPACE to restart";
+const STRING_RESTART = "Press $ to restart";
+const STRING_CONTINUE = "Continue";
+const STRING_NEW_GAME = "New game";
+const STRING_CONTROLS = "Controls";
+const STRING_PAUSED = "Paused";
+const STRING_RESUME = "Resume";
+const STRING_RESTART_LEVEL = "Restart level";
+const STRING_OPTIONS = "Options";
+const STRING_OPTIONS_HELP = "Left/Right change  Esc back";
+const STRING_BACK = "Back";
+const STRING_QUIT = "Quit to title";
+const STRING_CONTROLS_HELP = "Enter rebind  Backspace defaults  Esc back";
+const STRING_PRESS_KEY = "Press a key";
+const STRING_SEED = "Seed";
+const STRING_LEVEL = "Level";
+const STRING_RIFT_OPEN = "The rift is open";
+const STRING_AMMO = "Ammo";
+const STRING_KILLS = "Kills";
 
 const TAU = Math.PI * 2;
 
@@ -26,16 +42,224 @@ const PLAYER_MOVE_SPEED = 6;
 /** Player rotation speed, in radians per second */
 const PLAYER_ROT_SPEED = Math.PI * 0.75;
 
+/** Default mouse look sensitivity, in radians per pixel */
+const MOUSE_SENSITIVITY = 0.0025;
+
+/** Mouse look sensitivity adjustment step and limits, in radians per pixel */
+const MOUSE_SENSITIVITY_STEP = 0.0005;
+const MOUSE_SENSITIVITY_MIN = 0.0005;
+const MOUSE_SENSITIVITY_MAX = 0.01;
+
+/** Map size of the first level, in tiles */
+const LEVEL_BASE_SIZE = 21;
+
+/** Map size added per level, in tiles */
+const LEVEL_SIZE_STEP = 4;
+
+/** Maximum map size, in tiles */
+const LEVEL_MAX_SIZE = 45;
+
+/**
+ * Difficulty levels
+ * n = Name
+ * c = Enemy spawn chance multiplier
+ * h = Extra enemy hit points
+ */
+const DIFFICULTIES = [
+	{ n: "Easy", c: 0.75, h: 0 },
+	{ n: "Normal", c: 1, h: 0 },
+	{ n: "Hard", c: 1.25, h: 2 },
+];
+
+/** Disconnected floor regions smaller than this are filled in rather than connected, in tiles */
+const MAP_POCKET_SIZE = 4;
+
+/** Minimum path distance from the center spawn for enemies and pickups, in tiles */
+const SPAWN_ENEMY_MIN_PATH = 6;
+const SPAWN_PICKUP_MIN_PATH = 3;
+
+/** Offsets to the four cells sharing an edge with a cell */
+const CARDINAL_DIRECTIONS = [
+	[1, 0],
+	[-1, 0],
+	[0, 1],
+	[0, -1],
+];
+
+/** Chance of an enemy dropping a pickup when it dies */
+const PICKUP_DROP_CHANCE = 0.2;
+
+/** Chance of a pickup spawning on each floor tile of a level */
+const PICKUP_SPAWN_CHANCE = 0.012;
+
+/** Player move speed multiplier while the speed buff is active */
+const BUFF_SPEED_MULTIPLIER = 1.5;
+
+/** Player damage multiplier while the damage buff is active */
+const BUFF_DAMAGE_MULTIPLIER = 2;
+
 /** Size of spatial lookup tiles, in map tiles */
 const SPATIAL_TILE_SIZE = 2;
 
-/** Key code which have their default behavior suppressed */
-const SUPPRESS_KEYS = [13, 32, 37, 38, 39, 40, 65, 68, 83, 87];
+/** Default key bindings, mapping action names to key codes */
+const DEFAULT_BINDINGS = {
+	move_forward: [38, 87],
+	move_backward: [40, 83],
+	turn_left: [37, 65], // Strafes while the mouse is captured
+	turn_right: [39, 68], // Strafes while the mouse is captured
+	strafe_left: [81],
+	strafe_right: [69],
+	fire: [13, 32],
+	weapon_prev: [90],
+	weapon_next: [88],
+	weapon_1: [49],
+	weapon_2: [50],
+	weapon_3: [51],
+	weapon_4: [52],
+	automap: [9],
+	sensitivity_down: [219],
+	sensitivity_up: [221],
+	confirm: [32],
+	pause: [27, 80],
+};
+
+/** Fixed key bindings for menu navigation, so menus can't be made unusable */
+const MENU_BINDINGS = {
+	menu_up: [38],
+	menu_down: [40],
+	menu_select: [13],
+	menu_back: [27],
+	menu_reset: [8],
+	menu_left: [37],
+	menu_right: [39],
+};
+
+/** Display names for key codes which aren't letters or digits */
+const KEY_NAMES = {
+	8: "Backspace",
+	9: "Tab",
+	13: "Enter",
+	16: "Shift",
+	17: "Ctrl",
+	18: "Alt",
+	27: "Esc",
+	32: "Space",
+	37: "Left",
+	38: "Up",
+	39: "Right",
+	40: "Down",
+	186: ";",
+	188: ",",
+	190: ".",
+	191: "/",
+	219: "[",
+	221: "]",
+};
+
+/** Local storage key for persisted key bindings */
+const BINDINGS_STORAGE_KEY = "js13k-2021-bindings";
+
+/** Local storage key for persisted settings */
+const SETTINGS_STORAGE_KEY = "js13k-2021-settings";
+
+/** Local storage key for the autosaved run */
+const SAVE_STORAGE_KEY = "js13k-2021-save";
+
+/** Default settings, which the player can change on the options screen */
+const DEFAULT_SETTINGS = {
+	sfx_volume: 0.5,
+	mouse_sensitivity: MOUSE_SENSITIVITY,
+	turn_speed: PLAYER_ROT_SPEED,
+	fov: (Math.atan(CAMERA_PLANE_LENGTH) * 2 * 180) / Math.PI,
+	render_scale: 1,
+	difficulty: 1,
+	dynamic_resolution: 1,
+};
+
+/** Smoothed render times above which dynamic resolution lowers the view scale, and below which it raises it, in seconds */
+const DYNAMIC_SLOW_RENDER_TIME = 1 / 100;
+const DYNAMIC_FAST_RENDER_TIME = 1 / 200;
+
+/** Time to wait after a view scale change before lowering or raising it again, in seconds */
+const DYNAMIC_LOWER_DELAY = 1;
+const DYNAMIC_RAISE_DELAY = 5;
+
+/** Step and minimum of the dynamic view scale */
+const DYNAMIC_SCALE_STEP = 0.125;
+const DYNAMIC_SCALE_MIN = 0.25;
+
+/** Weight of the previous smoothed render time against each new render time (0 - 1) */
+const RENDER_TIME_SMOOTHING = 0.9;
+
+/**
+ * Options shown on the options screen, for each setting
+ * l = Label
+ * n = Minimum value
+ * x = Maximum value
+ * s = Step
+ * f = Format a value for display
+ */
+const OPTIONS = {
+	sfx_volume: { l: "sound volume", n: 0, x: 1, s: 0.1, f: format_percent },
+	mouse_sensitivity: {
+		l: "mouse sensitivity",
+		n: MOUSE_SENSITIVITY_MIN,
+		x: MOUSE_SENSITIVITY_MAX,
+		s: MOUSE_SENSITIVITY_STEP,
+		f: (value) => `${(value / MOUSE_SENSITIVITY).toFixed(1)}x`,
+	},
+	turn_speed: {
+		l: "turn speed",
+		n: PLAYER_ROT_SPEED * 0.5,
+		x: PLAYER_ROT_SPEED * 2,
+		s: PLAYER_ROT_SPEED * 0.25,
+		f: (value) => `${(value / PLAYER_ROT_SPEED).toFixed(2)}x`,
+	},
+	fov: {
+		l: "field of view",
+		n: 60,
+		x: 110,
+		s: 5,
+		f: (value) => `${Math.round(value)}`,
+	},
+	render_scale: {
+		l: "render scale",
+		n: 0.25,
+		x: 1,
+		s: 0.25,
+		f: format_percent,
+	},
+	difficulty: {
+		l: "difficulty",
+		n: 0,
+		x: DIFFICULTIES.length - 1,
+		s: 1,
+		f: (value) => DIFFICULTIES[value].n,
+	},
+	dynamic_resolution: {
+		l: "dynamic resolution",
+		n: 0,
+		x: 1,
+		s: 1,
+		f: (value) => (value === 1 ? "on" : "off"),
+	},
+};
+
+/** Distance at which sounds become inaudible, in tiles */
+const SOUND_RANGE = 16;
+
+/** Size of minimap cells, in pixels */
+const MINIMAP_CELL_SIZE = 8;
+
+/** Maximum distance at which enemies are shown on the automap, in tiles */
+const AUTOMAP_ENEMY_RANGE = 6;
 
 /** Entity groups */
 const GROUP_PLAYER = 1;
 const GROUP_ENEMY = 2;
 const GROUP_ENVIRONMENT = 3;
+const GROUP_PROJECTILE = 4;
+const GROUP_ITEM = 5;
 
 /** Collision groups (controls which groups collide with which other groups */
 const COLLISION_GROUPS = new Map([
@@ -44,6 +268,9 @@ const COLLISION_GROUPS = new Map([
 	[hash_ids(GROUP_PLAYER, GROUP_ENVIRONMENT), 1],
 	[hash_ids(GROUP_ENEMY, GROUP_ENVIRONMENT), 1],
 	[hash_ids(GROUP_ENVIRONMENT, GROUP_ENVIRONMENT), 1],
+	[hash_ids(GROUP_PROJECTILE, GROUP_ENEMY), 1],
+	[hash_ids(GROUP_PROJECTILE, GROUP_ENVIRONMENT), 1],
+	[hash_ids(GROUP_PLAYER, GROUP_ITEM), 1],
 ]);
 
 const state_idle = {
@@ -54,7 +281,7 @@ const state_wander = {
 	e: (id) => {
 		// Randomly select a direction
 		const bod = get_entity_component(id, "body");
-		const angle = Math.random() * TAU;
+		const angle = random() * TAU;
 		bod.vx = Math.cos(angle) * 1;
 		bod.vy = Math.sin(angle) * 1;
 		play_animation(id, 0);
@@ -73,7 +300,9 @@ const state_chase = {
 		const pos = get_entity_component(id, "pos");
 		const delta_x = target_pos.x - pos.x;
 		const delta_y = target_pos.y - pos.y;
-		pos.f = Math.atan2(delta_y, delta_x);
+		// Follow the flow field around walls, or head straight for the player once in their cell
+		const direction = flow_direction(pos.x, pos.y);
+		pos.f = direction !== null ? direction : Math.atan2(delta_y, delta_x);
 		bod.vx = Math.cos(pos.f) * 1.5;
 		bod.vy = Math.sin(pos.f) * 1.5;
 		play_animation(id, 0);
@@ -86,6 +315,13 @@ const state_attack_windup = {
 		body.vx = 0;
 		body.vy = 0;
 		play_animation(id, 1);
+		const pos = get_entity_component(id, "pos");
+		// Face the player to attack, since chasing faces along the flow field
+		const target_pos = get_entity_component(player_id, "pos");
+		if (target_pos !== undefined) {
+			pos.f = Math.atan2(target_pos.y - pos.y, target_pos.x - pos.x);
+		}
+		play_sound("windup", pos.x, pos.y);
 	},
 };
 
@@ -99,6 +335,15 @@ const state_attack = {
 	},
 };
 
+/** Behavior states by name, so behaviors can be saved and restored */
+const STATES = {
+	idle: state_idle,
+	wander: state_wander,
+	chase: state_chase,
+	attack_windup: state_attack_windup,
+	attack: state_attack,
+};
+
 function entity_distance(a, b) {
 	const pos_a = get_entity_component(a, "pos");
 	const pos_b = get_entity_component(b, "pos");
@@ -192,15 +437,29 @@ ttl (Time-to-live)
 
 mor (Mortal)
 	h: Hit points
+	m: Maximum hit points (optional)
 
 haz (Hazard)
 	d: Damage
 	o: One shot (0 = no, 1 = yes)
+	p: Pierce; only removed by walls, damages each contact once (0 = no, 1 = yes)
+	h: Entity IDs already damaged (piercing hazards)
 
 pla (Player)
-	w: Weapon
+	w: Owned weapons, mapping weapon key to ammo count
+	s: Selected weapon key
 	c: Weapon cooldown
 
+buf (Buffs)
+	<key>: Remaining duration of buff (seconds), e.g. { speed: 5 }
+
+pickup (Pickup, collected by touching the player)
+	h: Hit points restored
+	w: Weapon given, with full ammo
+	a: Ammo given to each owned weapon, as a fraction of its maximum
+	b: Buff given
+	d: Buff duration (seconds)
+
 sprite (Sprite)
 	i: Sprite sheet index
 
@@ -218,13 +477,24 @@ beh (Behavior)
 
 */
 
+/** Create a prefab for a pickup with a given sprite */
+function pickup_prefab(sprite_index, pickup) {
+	return {
+		pos: { x: 0, y: 0, f: 0 },
+		body: { w: 0.5, h: 0.5, vx: 0, vy: 0, b: 0, t: 1, g: GROUP_ITEM, c: [] },
+		sprite: { i: sprite_index },
+		pickup,
+	};
+}
+
 /** Prefabricated entities */
 const PREFABS = {
 	player: {
 		pos: { x: 0, y: 0, f: 0 },
 		body: { w: 0.4, h: 0.4, vx: 0, vy: 0, b: 0, g: GROUP_PLAYER, c: [] },
-		pla: { w: "pistol", c: 0 },
-		mor: { h: 3 },
+		pla: { w: { pistol: 0 }, s: "pistol", c: 0 },
+		mor: { h: 3, m: 3 },
+		buf: {},
 	},
 	dummy: {
 		pos: { x: 0, y: 0, f: 0 },
@@ -260,12 +530,27 @@ const PREFABS = {
 			vy: 0,
 			b: 0,
 			t: 1,
-			g: GROUP_PLAYER,
+			g: GROUP_PROJECTILE,
 			c: [],
 		},
 		haz: { d: 1, o: 1 },
 		sprite: { i: 2 },
 	},
+	beam: {
+		pos: { x: 0, y: 0, f: 0 },
+		body: {
+			w: 0.25,
+			h: 0.25,
+			vx: 0,
+			vy: 0,
+			b: 0,
+			t: 1,
+			g: GROUP_PROJECTILE,
+			c: [],
+		},
+		haz: { d: 2, o: 0, p: 1, h: [] },
+		sprite: { i: 2 },
+	},
 	boom: {
 		pos: { x: 0, y: 0, f: 0 },
 		sprite: { i: 3 },
@@ -274,6 +559,16 @@ const PREFABS = {
 	},
 	rift: {
 		pos: { x: 0, y: 0, f: 0 },
+		body: {
+			w: 0.6,
+			h: 0.6,
+			vx: 0,
+			vy: 0,
+			b: 0,
+			t: 1,
+			g: GROUP_ITEM,
+			c: [],
+		},
 		sprite: { i: 8 },
 		ani: { f: [[8, 9]], i: 0, d: 0.25, e: 0, a: 0 },
 	},
@@ -306,14 +601,46 @@ const PREFABS = {
 		haz: { d: 1, o: 1 },
 		ttl: { d: 0.25 },
 	},
+	pickup_health: pickup_prefab(14, { h: 1 }),
+	pickup_ammo: pickup_prefab(15, { a: 0.5 }),
+	pickup_shotgun: pickup_prefab(16, { w: "shotgun" }),
+	pickup_rifle: pickup_prefab(17, { w: "rifle" }),
+	pickup_beam: pickup_prefab(18, { w: "beam" }),
+	pickup_speed: pickup_prefab(19, { b: "speed", d: 10 }),
+	pickup_damage: pickup_prefab(20, { b: "damage", d: 10 }),
+	pickup_shield: pickup_prefab(21, { b: "shield", d: 5 }),
 };
 
+/** Pickups which enemies may drop when they die */
+const DROP_PICKUPS = [
+	"pickup_health",
+	"pickup_health",
+	"pickup_ammo",
+	"pickup_ammo",
+	"pickup_speed",
+	"pickup_damage",
+	"pickup_shield",
+];
+
+/** Pickups which may spawn with a level */
+const LEVEL_PICKUPS = [
+	...DROP_PICKUPS,
+	"pickup_shotgun",
+	"pickup_rifle",
+	"pickup_beam",
+];
+
 /**
  * Weapon definitions
  * p = Prefab to spawn
  * d = Distance from spawner
  * s = Projectile speed
  * c = Spawner cooldown, in seconds
+ * n = Number of projectiles per shot (optional, defaults to 1)
+ * a = Spread angle across all projectiles, in radians (optional)
+ * m = Maximum ammo (optional, unlimited if omitted)
+ * i = Icon sprite sheet index
+ * z = Sound played when fired
  */
 const WEAPONS = {
 	pistol: {
@@ -321,9 +648,67 @@ const WEAPONS = {
 		d: 0.5,
 		s: 12,
 		c: 0.4,
+		i: 22,
+		z: "pistol",
+	},
+	shotgun: {
+		p: "bullet",
+		d: 0.5,
+		s: 10,
+		c: 0.9,
+		n: 5,
+		a: 0.4,
+		m: 24,
+		i: 16,
+		z: "shotgun",
+	},
+	rifle: {
+		p: "bullet",
+		d: 0.5,
+		s: 16,
+		c: 0.1,
+		m: 120,
+		i: 17,
+		z: "rifle",
+	},
+	beam: {
+		p: "beam",
+		d: 0.5,
+		s: 20,
+		c: 0.6,
+		m: 30,
+		i: 18,
+		z: "beam",
 	},
 };
 
+/**
+ * Sound effect presets
+ * w = Waveform ("square", "sawtooth", "triangle", "sine" or "noise")
+ * f = Start frequency (Hz), or filter cutoff for noise
+ * e = End frequency (Hz), or filter cutoff for noise
+ * d = Duration (seconds)
+ * v = Volume (0 - 1)
+ */
+const SOUNDS = {
+	pistol: { w: "square", f: 880, e: 220, d: 0.12, v: 0.3 },
+	shotgun: { w: "noise", f: 4000, e: 200, d: 0.3, v: 0.6 },
+	rifle: { w: "square", f: 1200, e: 400, d: 0.06, v: 0.25 },
+	beam: { w: "sawtooth", f: 200, e: 1600, d: 0.35, v: 0.3 },
+	hit: { w: "square", f: 300, e: 80, d: 0.08, v: 0.4 },
+	boom: { w: "noise", f: 1500, e: 40, d: 0.5, v: 0.8 },
+	windup: { w: "sawtooth", f: 110, e: 330, d: 0.5, v: 0.3 },
+	pickup: { w: "triangle", f: 440, e: 1320, d: 0.15, v: 0.4 },
+	start: { w: "triangle", f: 220, e: 880, d: 0.3, v: 0.4 },
+	rift: { w: "sine", f: 220, e: 880, d: 0.8, v: 0.5 },
+	level: { w: "sine", f: 440, e: 1760, d: 1, v: 0.5 },
+	lose: { w: "sawtooth", f: 440, e: 55, d: 1.5, v: 0.5 },
+	select: { w: "square", f: 660, e: 660, d: 0.05, v: 0.2 },
+};
+
+/** Weapon selection order (number keys 1 - 4) */
+const WEAPON_ORDER = ["pistol", "shotgun", "rifle", "beam"];
+
 const MAP_GENERATORS = [
 	(x, y) => x % 4 === 0 && y % 4 === 0,
 	(x, y, _w, _h, cx, cy) => {
@@ -343,17 +728,98 @@ let game_state = "load";
 /** Game timer holds the number of milliseconds until a state change */
 let game_timer = 0;
 
+/** Game state to return to when unpaused, or null while not paused */
+let pause_state = null;
+
+/** World as it was when the current level started, for restarting it */
+let level_save = null;
+
+/** Current level (1-based) */
+let level = 1;
+
+/** Position of the rift exit, updated as enemies die */
+let rift_x = 0;
+let rift_y = 0;
+
+/** Rift exit entity */
+let rift_id = 0;
+
+/** Number of enemies killed this run */
+let kills = 0;
+
+/** Seed of the current run (shareable via the "seed" URL parameter) */
+let run_seed = 0;
+
+/** Internal state of the seeded random number generator */
+let random_state = 0;
+
 /** Keyboard state */
 const keyboard = {};
 
+/** Keys pressed during the current frame */
+const keyboard_pressed = {};
+
+/** Current key bindings, mapping action names to key codes */
+let bindings = {};
+
+/** Key codes which have their default behavior suppressed (derived from bindings) */
+let suppress_keys = [];
+
+/** Action currently being rebound on the controls screen */
+let rebind_action = null;
+
+/** Mouse wheel steps since the last input update */
+let wheel = 0;
+
+/** Audio context (created on the first user interaction) */
+let audio_ctx = null;
+
+/** Master volume node for sound effects */
+let sfx_gain;
+
+/** One second of white noise, for noise-based sounds */
+let noise_buffer;
+
+/** Whether the mouse is captured via Pointer Lock */
+let mouse_locked = false;
+
+/** Horizontal mouse movement since the last input update, in pixels */
+let mouse_dx = 0;
+
+/** Whether the primary mouse button is held (while captured) */
+let mouse_down = false;
+
+/** Player settings (see DEFAULT_SETTINGS) */
+let settings = Object.assign({}, DEFAULT_SETTINGS);
+
 /** Time of the last frame */
 let last_frame = 0;
 
+/** Smoothed time spent in the render systems each frame, in seconds */
+let render_time = 0;
+
+/** Current render scale, which dynamic resolution lowers below the render scale setting while frames are slow */
+let view_scale = 1;
+
+/** Time since the view scale last changed, in seconds */
+let view_scale_timer = 0;
+
+/** Render scale and dynamic resolution settings the view scale was last reset for */
+let applied_render_scale = null;
+let applied_dynamic_resolution = null;
+
 /** Canvas 2D drawing surface */
 let canvas;
 let ctx;
 let bg_buffer;
 
+/** Size of the rendered view, in pixels (the camera size scaled by the render scale) */
+let view_width = CAMERA_WIDTH;
+let view_height = CAMERA_HEIGHT;
+
+/** Background stars, in camera pixels: [x, y, color] */
+const stars = [];
+
 /** Depth buffer */
 let depth_buffer;
 
@@ -365,6 +831,17 @@ let map_width = 0;
 let map_height = 0;
 let map_tiles;
 
+/** Map cells which have been seen by the camera (automap fog-of-war) */
+let map_seen;
+
+/** Path distance from every map cell to the player's cell, which chasing enemies follow downhill (see flood_fill) */
+let flow_field;
+
+/** Map index of the player's cell when the flow field was built (-1 = rebuild it) */
+let flow_cell = -1;
+
+/** Whether debug drawing is on, from the "debug" URL parameter */
+let debug_mode = false;
 /** Camera */
 let camera_x = 0;
 let camera_y = 0;
@@ -372,8 +849,26 @@ let camera_facing_x = 1;
 let camera_facing_y = 0;
 let camera_plane_x = 0;
 let camera_plane_y = CAMERA_PLANE_LENGTH;
+let camera_plane_length = CAMERA_PLANE_LENGTH;
 
-/** UI elements */
+/**
+ * UI elements
+ * e = Element type (0 = rectangle, 1 = text, 2 = icon row, 3 = counter, 4 = crosshair, 5 = automap, 6 = menu)
+ * x = X coordinate (pixels)
+ * y = Y coordinate (pixels)
+ * w = Width (pixels, rectangles and automaps)
+ * h = Height (pixels, rectangles and automaps)
+ * c = Color
+ * a = Alpha (0 - 1)
+ * t = Text (text), or label (counters)
+ * s = Font size (text, counters, menus), or icon/crosshair size (icon rows, crosshairs)
+ * i = Sprite sheet index (icon rows), or selected option index (menus)
+ * n = Number of icons (icon rows), or value (counters)
+ * m = Number of icon slots, empty slots are drawn faded (icon rows)
+ * f = Follow the camera instead of showing the whole map (automaps)
+ * o = Options (menus)
+ * r = Maximum visible rows, scrolling to keep the selection visible (menus)
+ */
 const ui = [];
 
 const overlay = add_ui({
@@ -416,6 +911,221 @@ const text_cta = add_ui({
 	a: 0,
 });
 
+const text_seed = add_ui({
+	e: 1,
+	t: "",
+	s: 16,
+	c: "#c8c8c8",
+	x: CAMERA_WIDTH / 2,
+	y: CAMERA_HEIGHT * 0.92,
+	a: 0,
+});
+
+const title_menu = add_ui({
+	e: 6,
+	o: [],
+	i: 0,
+	r: 3,
+	s: 28,
+	c: "#fff",
+	x: CAMERA_WIDTH / 2,
+	y: CAMERA_HEIGHT * 0.68,
+	a: 0,
+});
+
+const controls_title = add_ui({
+	e: 1,
+	t: STRING_CONTROLS,
+	s: 40,
+	c: "#27badb",
+	x: CAMERA_WIDTH / 2,
+	y: 56,
+	a: 0,
+});
+
+const controls_menu = add_ui({
+	e: 6,
+	o: [],
+	i: 0,
+	r: 15,
+	s: 16,
+	c: "#c8c8c8",
+	x: CAMERA_WIDTH / 2,
+	y: 100,
+	a: 0,
+});
+
+const controls_help = add_ui({
+	e: 1,
+	t: STRING_CONTROLS_HELP,
+	s: 14,
+	c: "#c8c8c8",
+	x: CAMERA_WIDTH / 2,
+	y: CAMERA_HEIGHT - 20,
+	a: 0,
+});
+
+const options_title = add_ui({
+	e: 1,
+	t: STRING_OPTIONS,
+	s: 40,
+	c: "#27badb",
+	x: CAMERA_WIDTH / 2,
+	y: 56,
+	a: 0,
+});
+
+const options_menu = add_ui({
+	e: 6,
+	o: [],
+	i: 0,
+	r: 10,
+	s: 20,
+	c: "#c8c8c8",
+	x: CAMERA_WIDTH / 2,
+	y: 120,
+	a: 0,
+});
+
+const options_help = add_ui({
+	e: 1,
+	t: STRING_OPTIONS_HELP,
+	s: 14,
+	c: "#c8c8c8",
+	x: CAMERA_WIDTH / 2,
+	y: CAMERA_HEIGHT - 20,
+	a: 0,
+});
+
+/** UI elements shown on the options screen */
+const options_ui = [options_title, options_menu, options_help];
+
+/** UI elements shown on the controls screen */
+const controls_ui = [controls_title, controls_menu, controls_help];
+
+const pause_title = add_ui({
+	e: 1,
+	t: STRING_PAUSED,
+	s: 64,
+	c: "#27badb",
+	x: CAMERA_WIDTH / 2,
+	y: CAMERA_HEIGHT * 0.3,
+	a: 0,
+});
+
+const pause_menu = add_ui({
+	e: 6,
+	o: [STRING_RESUME, STRING_RESTART_LEVEL, STRING_OPTIONS, STRING_QUIT],
+	i: 0,
+	r: 4,
+	s: 28,
+	c: "#fff",
+	x: CAMERA_WIDTH / 2,
+	y: CAMERA_HEIGHT * 0.5,
+	a: 0,
+});
+
+/** UI elements shown on the pause menu */
+const pause_ui = [pause_title, pause_menu];
+
+const hud_health = add_ui({
+	e: 2,
+	i: 14,
+	n: 0,
+	m: 0,
+	s: 32,
+	x: 16,
+	y: 16,
+	a: 0,
+});
+
+const hud_weapon = add_ui({
+	e: 2,
+	i: 22,
+	n: 1,
+	m: 1,
+	s: 64,
+	x: 16,
+	y: CAMERA_HEIGHT - 80,
+	a: 0,
+});
+
+const hud_ammo = add_ui({
+	e: 3,
+	t: STRING_AMMO,
+	n: 0,
+	s: 24,
+	c: "#fff",
+	x: 176,
+	y: CAMERA_HEIGHT - 40,
+	a: 0,
+});
+
+const hud_level = add_ui({
+	e: 3,
+	t: STRING_LEVEL,
+	n: 0,
+	s: 24,
+	c: "#fff",
+	x: CAMERA_WIDTH - 112,
+	y: 40,
+	a: 0,
+});
+
+const hud_kills = add_ui({
+	e: 3,
+	t: STRING_KILLS,
+	n: 0,
+	s: 24,
+	c: "#fff",
+	x: CAMERA_WIDTH - 112,
+	y: 72,
+	a: 0,
+});
+
+const hud_crosshair = add_ui({
+	e: 4,
+	s: 8,
+	c: "#fff",
+	x: CAMERA_WIDTH / 2,
+	y: CAMERA_HEIGHT / 2,
+	a: 0,
+});
+
+const hud_minimap = add_ui({
+	e: 5,
+	f: 1,
+	x: CAMERA_WIDTH - 144,
+	y: CAMERA_HEIGHT - 144,
+	w: 128,
+	h: 128,
+	a: 0,
+});
+
+const automap = add_ui({
+	e: 5,
+	f: 0,
+	x: 32,
+	y: 32,
+	w: CAMERA_WIDTH - 64,
+	h: CAMERA_HEIGHT - 64,
+	a: 0,
+});
+
+/** UI elements shown during play */
+const hud = [
+	hud_health,
+	hud_weapon,
+	hud_ammo,
+	hud_level,
+	hud_kills,
+	hud_crosshair,
+	hud_minimap,
+];
+
+/** Whether the full-screen automap is open */
+let automap_open = false;
+
 /** Player entity */
 let player_id = 0;
 
@@ -431,6 +1141,12 @@ const tweens = [];
 /** Simulation systems which operate on entities */
 const systems = [];
 
+/** Systems which are frozen while the game is paused */
+const simulation_systems = [];
+
+/** Systems which draw the view, timed for dynamic resolution */
+const render_systems = [];
+
 /** Simulation spatial map for broad phase collision detection */
 let spatial_width = 0;
 let spatial_height = 0;
@@ -445,9 +1161,22 @@ function idx(x, y, w) {
 	return y * w + x;
 }
 
+/** Seed the random number generator */
+function seed_random(seed) {
+	random_state = seed >>> 0;
+}
+
+/** A random number between 0 (inclusive) and 1 (exclusive), using Mulberry32 */
+function random() {
+	let t = (random_state = (random_state + 0x6d2b79f5) >>> 0);
+	t = Math.imul(t ^ (t >>> 15), t | 1);
+	t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+	return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
 /** A random integer between 0 and max (exclusive) */
 function random_int(max) {
-	return Math.floor(Math.random() * max);
+	return Math.floor(random() * max);
 }
 
 /** Return a random thing from a group of things */
@@ -479,11 +1208,20 @@ function add_ui(element) {
 	return element;
 }
 
+/** Fade all HUD elements to a given alpha */
+function fade_hud(to, duration) {
+	for (const element of hud) {
+		tween(element, "a", to, duration);
+	}
+}
+
 /** Initialize the map to a new size */
 function init_map(width, height) {
 	map_width = width;
 	map_height = height;
 	map_tiles = new Uint8Array(map_width * map_height);
+	map_seen = new Uint8Array(map_width * map_height);
+	flow_cell = -1;
 	spatial_width = Math.ceil(width / SPATIAL_TILE_SIZE);
 	spatial_height = Math.ceil(height / SPATIAL_TILE_SIZE);
 	spatial_tiles.length = 0;
@@ -502,23 +1240,227 @@ function generate_map(width, height) {
 		const y = Math.floor(i / map_width);
 		map_tiles[i] = generator(x, y, width, height, cx, cy) ? 1 : 0;
 	}
+	connect_map();
 }
 
-function spawn_hazards() {
+/** Find the path distance from a cell to every map cell, in tiles (-1 = unreachable) */
+function flood_fill(x, y) {
+	const distances = new Int16Array(map_tiles.length).fill(-1);
+	const queue = [y * map_width + x];
+	distances[queue[0]] = 0;
+	for (let head = 0; head < queue.length; head++) {
+		const i = queue[head];
+		const cell_x = i % map_width;
+		const cell_y = Math.floor(i / map_width);
+		for (const [dx, dy] of CARDINAL_DIRECTIONS) {
+			const nx = cell_x + dx;
+			const ny = cell_y + dy;
+			const n = ny * map_width + nx;
+			if (
+				nx >= 0 &&
+				nx < map_width &&
+				ny >= 0 &&
+				ny < map_height &&
+				map_tiles[n] === 0 &&
+				distances[n] === -1
+			) {
+				distances[n] = distances[i] + 1;
+				queue.push(n);
+			}
+		}
+	}
+	return distances;
+}
+
+/** Get the neighbouring cell one step closer to the player along the flow field, or -1 if there's none */
+function flow_step(cell) {
+	const here = flow_field[cell];
+	if (here <= 0) {
+		return -1;
+	}
+	const cell_x = cell % map_width;
+	const cell_y = Math.floor(cell / map_width);
+	let best = here;
+	let next = -1;
+	for (const [dx, dy] of CARDINAL_DIRECTIONS) {
+		const nx = cell_x + dx;
+		const ny = cell_y + dy;
+		const n = ny * map_width + nx;
+		if (
+			nx >= 0 &&
+			nx < map_width &&
+			ny >= 0 &&
+			ny < map_height &&
+			flow_field[n] >= 0 &&
+			flow_field[n] < best
+		) {
+			best = flow_field[n];
+			next = n;
+		}
+	}
+	return next;
+}
+
+/** Get the direction from a point toward the player along the flow field, or null if there's no path to follow */
+function flow_direction(x, y) {
+	const cell_x = Math.floor(x);
+	const cell_y = Math.floor(y);
+	if (
+		flow_field === undefined ||
+		cell_x < 0 ||
+		cell_x >= map_width ||
+		cell_y < 0 ||
+		cell_y >= map_height
+	) {
+		return null;
+	}
+	const next = flow_step(cell_y * map_width + cell_x);
+	if (next === -1) {
+		return null;
+	}
+	// Head for the middle of the next cell, which keeps clear of wall corners
+	return Math.atan2(
+		Math.floor(next / map_width) + 0.5 - y,
+		(next % map_width) + 0.5 - x
+	);
+}
+
+/** Make every floor cell reachable from the center spawn, by connecting or filling in regions */
+function connect_map() {
 	const cx = Math.floor(map_width / 2);
 	const cy = Math.floor(map_height / 2);
+	map_tiles[cy * map_width + cx] = 0;
+	for (;;) {
+		const distances = flood_fill(cx, cy);
+		const start = map_tiles.findIndex((v, i) => v === 0 && distances[i] === -1);
+		if (start === -1) {
+			return;
+		}
+		const start_x = start % map_width;
+		const start_y = Math.floor(start / map_width);
+		const region = flood_fill(start_x, start_y);
+		if (region.filter((d) => d >= 0).length < MAP_POCKET_SIZE) {
+			region.forEach((d, i) => d >= 0 && (map_tiles[i] = 1));
+			continue;
+		}
+		// Dig a corridor to the nearest reachable cell
+		let nearest = 0;
+		let nearest_distance = Infinity;
+		for (let i = 0; i < distances.length; i++) {
+			const d =
+				Math.abs((i % map_width) - start_x) +
+				Math.abs(Math.floor(i / map_width) - start_y);
+			if (distances[i] >= 0 && d < nearest_distance) {
+				nearest = i;
+				nearest_distance = d;
+			}
+		}
+		carve_corridor(
+			map_tiles,
+			map_width,
+			start_x,
+			start_y,
+			nearest % map_width,
+			Math.floor(nearest / map_width)
+		);
+	}
+}
+
+/** Carve an L-shaped corridor of floor between two cells */
+function carve_corridor(tiles, width, x1, y1, x2, y2) {
+	for (let x = Math.min(x1, x2); x <= Math.max(x1, x2); x++) {
+		tiles[y1 * width + x] = 0;
+	}
+	for (let y = Math.min(y1, y2); y <= Math.max(y1, y2); y++) {
+		tiles[y * width + x2] = 0;
+	}
+}
+
+function spawn_hazards() {
+	const paths = flood_fill(
+		Math.floor(map_width / 2),
+		Math.floor(map_height / 2)
+	);
+	// Later levels spawn more enemies, with more hit points
+	const difficulty = DIFFICULTIES[settings.difficulty];
+	const chance = (0.04 + level * 0.01) * difficulty.c;
+	const bonus_health = (level - 1) * 2 + difficulty.h;
 	for (let i = 0; i < map_tiles.length; i++) {
 		const x = i % map_width;
 		const y = Math.floor(i / map_width);
-		if (
-			map_tiles[i] === 0 &&
-			distance(x, y, cx, cy) > 4 &&
-			Math.random() < 0.05
-		) {
+		if (paths[i] >= SPAWN_ENEMY_MIN_PATH && random() < chance) {
 			const prefab = random_pick([/*"dummy",*/ "slime2", "slime"]);
-			spawn_prefab_entity(prefab, x + 0.5, y + 0.5, 0);
+			const id = spawn_prefab_entity(prefab, x + 0.5, y + 0.5, 0);
+			get_entity_component(id, "mor").h += bonus_health;
+		}
+	}
+}
+
+/** Scatter pickups over the floor of the map */
+function spawn_pickups() {
+	const paths = flood_fill(
+		Math.floor(map_width / 2),
+		Math.floor(map_height / 2)
+	);
+	for (let i = 0; i < map_tiles.length; i++) {
+		const x = i % map_width;
+		const y = Math.floor(i / map_width);
+		if (paths[i] >= SPAWN_PICKUP_MIN_PATH && random() < PICKUP_SPAWN_CHANCE) {
+			spawn_prefab_entity(random_pick(LEVEL_PICKUPS), x + 0.5, y + 0.5, 0);
+		}
+	}
+}
+
+/** Count the remaining enemies */
+function count_enemies() {
+	let count = 0;
+	const mortals = components.mor;
+	if (mortals !== undefined) {
+		for (const [id] of mortals) {
+			const body = get_entity_component(id, "body");
+			if (body !== undefined && body.g === GROUP_ENEMY) {
+				count++;
+			}
 		}
 	}
+	return count;
+}
+
+/** Read the run seed from the URL, or pick a new one */
+function get_seed(from_url) {
+	const param = new URLSearchParams(window.location.search).get("seed");
+	if (from_url && param !== null && !isNaN(parseInt(param, 10))) {
+		return parseInt(param, 10) >>> 0;
+	}
+	return Math.floor(Math.random() * 4294967296);
+}
+
+/** Begin a new run at the first level */
+function start_run(seed) {
+	run_seed = seed;
+	level = 1;
+	kills = 0;
+	text_seed.t = `${STRING_SEED} ${run_seed}`;
+	start_level();
+}
+
+/** Seed the random number generator for the current level and generate its map */
+function start_level() {
+	seed_random(run_seed + (level - 1) * 0x9e3779b9);
+	const size = Math.min(
+		LEVEL_BASE_SIZE + (level - 1) * LEVEL_SIZE_STEP,
+		LEVEL_MAX_SIZE
+	);
+	generate_map(size, size);
+	rift_x = Math.floor(map_width / 2) + 0.5;
+	rift_y = Math.floor(map_height / 2) + 0.5;
+	rift_id = 0;
+	set_camera(rift_x, rift_y, 1, 0);
+}
+
+/** Whether the player is in control of the game */
+function is_playing() {
+	return game_state === "play" || game_state === "level_complete";
 }
 
 /** Set the camera position and facing */
@@ -527,26 +1469,559 @@ function set_camera(x, y, facing_x, facing_y) {
 	camera_y = y;
 	camera_facing_x = facing_x;
 	camera_facing_y = facing_y;
-	camera_plane_x = -facing_y * CAMERA_PLANE_LENGTH;
-	camera_plane_y = facing_x * CAMERA_PLANE_LENGTH;
+	camera_plane_x = -facing_y * camera_plane_length;
+	camera_plane_y = facing_x * camera_plane_length;
 }
 
 /** Handle a keyboard event */
 function handle_key(e, state) {
+	init_audio();
+	if (state && !keyboard[e.keyCode]) {
+		keyboard_pressed[e.keyCode] = true;
+	}
 	keyboard[e.keyCode] = !!state;
-	if (SUPPRESS_KEYS.indexOf(e.keyCode) !== -1) {
+	if (suppress_keys.indexOf(e.keyCode) !== -1) {
 		e.preventDefault();
 	}
 }
 
-/** Check whether any given keys are down */
-function key_down(...keys) {
-	for (const key of keys) {
-		if (keyboard[key]) {
-			return true;
+/** Check whether an action's keys are down */
+function action_down(action) {
+	return key_down(...(bindings[action] || MENU_BINDINGS[action] || []));
+}
+
+/** Check whether an action's keys were pressed during the current frame */
+function action_pressed(action) {
+	return key_pressed(...(bindings[action] || MENU_BINDINGS[action] || []));
+}
+
+/** Load key bindings from local storage, falling back to the defaults */
+function load_bindings() {
+	const saved = load_storage(BINDINGS_STORAGE_KEY) || {};
+	const loaded = {};
+	for (const action in DEFAULT_BINDINGS) {
+		// Corrupt entries would leave the action without a key, so they're replaced
+		const keys = saved[action];
+		loaded[action] =
+			Array.isArray(keys) &&
+			keys.length > 0 &&
+			keys.every((key) => Number.isInteger(key) && key_bindable(action, key))
+				? keys
+				: DEFAULT_BINDINGS[action];
+	}
+	set_bindings(loaded);
+}
+
+/** Check whether a key may be bound to an action (confirm also selects in menus, so it can't take their up and down keys) */
+function key_bindable(action, key) {
+	return (
+		action !== "confirm" ||
+		[...MENU_BINDINGS.menu_up, ...MENU_BINDINGS.menu_down].indexOf(key) === -1
+	);
+}
+
+/** Save key bindings to local storage */
+function save_bindings() {
+	save_storage(BINDINGS_STORAGE_KEY, bindings);
+}
+
+/** Load settings from local storage, falling back to the defaults */
+function load_settings() {
+	const saved = load_storage(SETTINGS_STORAGE_KEY) || {};
+	settings = Object.assign({}, DEFAULT_SETTINGS);
+	for (const key in OPTIONS) {
+		// Keep saved values in range, and whole-step settings like difficulty usable as indexes
+		const option = OPTIONS[key];
+		const value = saved[key];
+		if (typeof value === "number" && !isNaN(value)) {
+			settings[key] = clamp(
+				option.s === 1 ? Math.round(value) : value,
+				option.n,
+				option.x
+			);
+		}
+	}
+	apply_settings();
+}
+
+/** Save settings to local storage */
+function save_settings() {
+	save_storage(SETTINGS_STORAGE_KEY, settings);
+}
+
+/** Apply the current settings to the camera, view and audio */
+function apply_settings() {
+	camera_plane_length = Math.tan((settings.fov * Math.PI) / 360);
+	set_camera(camera_x, camera_y, camera_facing_x, camera_facing_y);
+	// Start over from the full render scale when it's changed, which dynamic resolution lowers again if needed
+	if (
+		settings.render_scale !== applied_render_scale ||
+		settings.dynamic_resolution !== applied_dynamic_resolution
+	) {
+		applied_render_scale = settings.render_scale;
+		applied_dynamic_resolution = settings.dynamic_resolution;
+		set_view_scale(settings.render_scale);
+	}
+	if (audio_ctx !== null) {
+		sfx_gain.gain.value = settings.sfx_volume;
+	}
+}
+
+/** Step a setting by its option step in a given direction, optionally wrapping around */
+function step_setting(key, direction, wrap) {
+	const option = OPTIONS[key];
+	// Snap to the step grid (the default field of view is off it), then round off floating point error
+	const steps = Math.round(
+		(settings[key] + direction * option.s - option.n) / option.s
+	);
+	let value = Math.round((option.n + steps * option.s) * 10000) / 10000;
+	if (wrap && value > option.x) {
+		value = option.n;
+	} else if (wrap && value < option.n) {
+		value = option.x;
+	}
+	settings[key] = clamp(value, option.n, option.x);
+	apply_settings();
+	save_settings();
+}
+
+/** Format a fraction as a percentage */
+function format_percent(value) {
+	return `${Math.round(value * 100)}%`;
+}
+
+/** Load a value from local storage, or null if it's missing or unreadable */
+function load_storage(key) {
+	try {
+		return JSON.parse(localStorage.getItem(key));
+	} catch (e) {
+		// Storage is unavailable or corrupt
+		return null;
+	}
+}
+
+/** Save a value to local storage, or remove it if null */
+function save_storage(key, value) {
+	try {
+		if (value === null) {
+			localStorage.removeItem(key);
+		} else {
+			localStorage.setItem(key, JSON.stringify(value));
+		}
+	} catch (e) {
+		// Storage is unavailable; the value only lasts until the page is closed
+	}
+}
+
+/** Autosave the run */
+function save_game() {
+	// Copy it, since the serialized world shares components with the live one
+	level_save = JSON.parse(JSON.stringify(serialize_world()));
+	save_storage(SAVE_STORAGE_KEY, level_save);
+}
+
+/** Restore the autosaved run, returning whether it succeeded */
+function load_game() {
+	const save = load_storage(SAVE_STORAGE_KEY);
+	if (save === null) {
+		return false;
+	}
+	try {
+		deserialize_world(JSON.parse(JSON.stringify(save)));
+		level_save = save;
+		return true;
+	} catch (e) {
+		// The save is from an incompatible version; discard it
+		save_storage(SAVE_STORAGE_KEY, null);
+		return false;
+	}
+}
+
+/** Whether there's an autosaved run to continue */
+function has_save() {
+	return load_storage(SAVE_STORAGE_KEY) !== null;
+}
+
+/** Apply a new set of key bindings */
+function set_bindings(new_bindings) {
+	bindings = new_bindings;
+	suppress_keys = [];
+	for (const action in bindings) {
+		suppress_keys.push(...bindings[action]);
+	}
+	for (const action in MENU_BINDINGS) {
+		suppress_keys.push(...MENU_BINDINGS[action]);
+	}
+}
+
+/** Return a display name for a key code */
+function key_name(code) {
+	if (KEY_NAMES[code] !== undefined) {
+		return KEY_NAMES[code];
+	}
+	return code >= 48 && code <= 90 ? String.fromCharCode(code) : `#${code}`;
+}
+
+/** Fill the "$" placeholder in a string with the first key bound to an action */
+function prompt_text(text, action) {
+	return text.replace("$", key_name(bindings[action][0]));
+}
+
+/** Rebuild the controls menu options from the current bindings */
+function update_controls_menu() {
+	controls_menu.o = Object.keys(DEFAULT_BINDINGS).map((action) => {
+		const label = action.replace(/_/g, " ");
+		const keys =
+			action === rebind_action
+				? STRING_PRESS_KEY
+				: bindings[action].map(key_name).join(" ");
+		return label.padEnd(18) + keys.padStart(16);
+	});
+}
+
+/** Fade all controls screen elements to a given alpha */
+function fade_controls(to, duration) {
+	for (const element of controls_ui) {
+		tween(element, "a", to, duration);
+	}
+}
+
+/** Rebuild the options menu from the current settings */
+function update_options_menu() {
+	options_menu.o = Object.keys(OPTIONS).map((key) => {
+		const option = OPTIONS[key];
+		return option.l.padEnd(18) + option.f(settings[key]).padStart(10);
+	});
+	options_menu.o.push(STRING_CONTROLS, STRING_BACK);
+}
+
+/** Fade all options screen elements to a given alpha */
+function fade_options(to, duration) {
+	for (const element of options_ui) {
+		tween(element, "a", to, duration);
+	}
+}
+
+/** Show the options screen */
+function show_options() {
+	game_state = "options";
+	options_menu.i = 0;
+	update_options_menu();
+	fade_options(1, 0.25);
+}
+
+/** Leave the options screen for the pause menu or title screen it was opened from */
+function hide_options() {
+	fade_options(0, 0.25);
+	if (pause_state !== null) {
+		show_pause();
+	} else {
+		show_title();
+	}
+}
+
+/** Show the controls screen */
+function show_controls() {
+	game_state = "controls";
+	controls_menu.i = 0;
+	update_controls_menu();
+	fade_controls(1, 0.25);
+}
+
+/** Fade all pause menu elements to a given alpha */
+function fade_pause(to, duration) {
+	for (const element of pause_ui) {
+		tween(element, "a", to, duration);
+	}
+}
+
+/** Show the pause menu */
+function show_pause() {
+	game_state = "paused";
+	pause_menu.i = 0;
+	fade_pause(1, 0.25);
+}
+
+/** Pause the game, freezing the simulation */
+function pause() {
+	pause_state = game_state;
+	show_pause();
+	overlay.c = "#000";
+	tween(overlay, "a", 0.5, 0.25);
+	play_sound("select");
+	if (automap_open) {
+		toggle_automap(false);
+	}
+	if (mouse_locked) {
+		document.exitPointerLock();
+	}
+}
+
+/** Leave the pause menu, returning to the game state it was opened from */
+function resume() {
+	game_state = pause_state;
+	pause_state = null;
+	fade_pause(0, 0.25);
+	tween(overlay, "a", 0, 0.25);
+}
+
+/** Show the title screen */
+function show_title() {
+	game_state = "title_intro";
+	game_timer += 0.5;
+	text_pre.t = STRING_TITLE_PRE;
+	text_main.t = STRING_TITLE;
+	text_main.c = "#27badb";
+	title_menu.o = [STRING_NEW_GAME];
+	if (has_save()) {
+		title_menu.o.unshift(STRING_CONTINUE);
+	}
+	title_menu.o.push(STRING_OPTIONS);
+	title_menu.i = 0;
+	tween(text_pre, "a", 1, 0.5);
+	tween(text_main, "a", 1, 0.5);
+	tween(title_menu, "a", 1, 0.5);
+	tween(text_seed, "a", 1, 0.5);
+}
+
+/** Hide the title screen */
+function hide_title() {
+	tween(text_pre, "a", 0, 0.25);
+	tween(text_main, "a", 0, 0.25);
+	tween(title_menu, "a", 0, 0.25);
+	tween(text_seed, "a", 0, 0.25);
+}
+
+/** Move a menu's selection with the menu navigation actions */
+function navigate_menu(menu) {
+	if (action_pressed("menu_up")) {
+		menu.i = (menu.i + menu.o.length - 1) % menu.o.length;
+		play_sound("select");
+	} else if (action_pressed("menu_down")) {
+		menu.i = (menu.i + 1) % menu.o.length;
+		play_sound("select");
+	}
+}
+
+/** Check whether any given keys are down */
+function key_down(...keys) {
+	for (const key of keys) {
+		if (keyboard[key]) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/** Check whether any given keys were pressed during the current frame */
+function key_pressed(...keys) {
+	for (const key of keys) {
+		if (keyboard_pressed[key]) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/** Create (or resume) the audio context; browsers only allow this after user interaction */
+function init_audio() {
+	if (audio_ctx !== null) {
+		if (audio_ctx.state === "suspended") {
+			audio_ctx.resume();
+		}
+		return;
+	}
+	const AudioContext = window.AudioContext || window.webkitAudioContext;
+	if (AudioContext === undefined) {
+		return;
+	}
+	audio_ctx = new AudioContext();
+	sfx_gain = audio_ctx.createGain();
+	sfx_gain.gain.value = settings.sfx_volume;
+	sfx_gain.connect(audio_ctx.destination);
+	noise_buffer = audio_ctx.createBuffer(
+		1,
+		audio_ctx.sampleRate,
+		audio_ctx.sampleRate
+	);
+	const data = noise_buffer.getChannelData(0);
+	for (let i = 0; i < data.length; i++) {
+		data[i] = Math.random() * 2 - 1;
+	}
+}
+
+/** Play a sound effect preset, optionally positioned in the world relative to the camera */
+function play_sound(key, x, y) {
+	if (audio_ctx === null) {
+		return;
+	}
+	const preset = SOUNDS[key];
+
+	// Attenuate by distance, and pan along the camera plane
+	let volume = preset.v;
+	let pan = 0;
+	if (x !== undefined) {
+		const dx = x - camera_x;
+		const dy = y - camera_y;
+		const dist = Math.sqrt(dx * dx + dy * dy);
+		volume *= clamp(1 - dist / SOUND_RANGE, 0, 1);
+		if (dist > 0) {
+			pan =
+				(dx * camera_plane_x + dy * camera_plane_y) /
+				(dist * camera_plane_length);
+		}
+	}
+	if (volume <= 0) {
+		return;
+	}
+
+	const t = audio_ctx.currentTime;
+	const end = t + preset.d;
+	let source;
+	let output;
+	if (preset.w === "noise") {
+		// Noise is shaped by sweeping a low-pass filter
+		source = audio_ctx.createBufferSource();
+		source.buffer = noise_buffer;
+		source.loop = true;
+		output = audio_ctx.createBiquadFilter();
+		output.type = "lowpass";
+		output.frequency.setValueAtTime(preset.f, t);
+		output.frequency.exponentialRampToValueAtTime(preset.e, end);
+		source.connect(output);
+	} else {
+		source = output = audio_ctx.createOscillator();
+		source.type = preset.w;
+		source.frequency.setValueAtTime(preset.f, t);
+		source.frequency.exponentialRampToValueAtTime(preset.e, end);
+	}
+
+	const gain = audio_ctx.createGain();
+	gain.gain.setValueAtTime(volume, t);
+	gain.gain.exponentialRampToValueAtTime(0.001, end);
+	output.connect(gain);
+	if (audio_ctx.createStereoPanner !== undefined) {
+		const panner = audio_ctx.createStereoPanner();
+		panner.pan.value = clamp(pan, -1, 1);
+		gain.connect(panner);
+		panner.connect(sfx_gain);
+	} else {
+		gain.connect(sfx_gain);
+	}
+	source.start(t);
+	source.stop(end);
+}
+
+/** Capture the mouse for mouse look, or fire if it is already captured */
+function handle_mouse_down(e) {
+	init_audio();
+	if (mouse_locked) {
+		mouse_down = e.button === 0;
+	} else if (is_playing()) {
+		canvas.requestPointerLock();
+	}
+}
+
+/** Open or close the full-screen automap */
+function toggle_automap(open) {
+	automap_open = open;
+	tween(automap, "a", open ? 1 : 0, 0.15);
+}
+
+/** Whether a player can fire a given weapon */
+function has_ammo(pla, key) {
+	return (
+		pla.w[key] !== undefined && (WEAPONS[key].m === undefined || pla.w[key] > 0)
+	);
+}
+
+/** Whether an entity has a given buff active */
+function has_buff(id, key) {
+	const buf = get_entity_component(id, "buf");
+	return buf !== undefined && buf[key] > 0;
+}
+
+/** Damage a mortal entity, unless it is shielded */
+function damage_entity(id, amount) {
+	const mortal = get_entity_component(id, "mor");
+	if (mortal !== undefined && !has_buff(id, "shield")) {
+		mortal.h -= amount;
+		const pos = get_entity_component(id, "pos");
+		play_sound("hit", pos.x, pos.y);
+	}
+}
+
+/** Apply a pickup to the player, returning whether it was used */
+function apply_pickup(pickup) {
+	const mor = get_entity_component(player_id, "mor");
+	const pla = get_entity_component(player_id, "pla");
+	if (pickup.h !== undefined) {
+		// Leave health pickups alone when at full health
+		if (mor.h >= mor.m) {
+			return false;
+		}
+		mor.h = Math.min(mor.h + pickup.h, mor.m);
+	}
+	if (pickup.w !== undefined) {
+		pla.w[pickup.w] = WEAPONS[pickup.w].m || 0;
+	}
+	if (pickup.a !== undefined) {
+		for (const key in pla.w) {
+			const max = WEAPONS[key].m;
+			if (max !== undefined) {
+				pla.w[key] = Math.min(pla.w[key] + Math.ceil(max * pickup.a), max);
+			}
+		}
+	}
+	if (pickup.b !== undefined) {
+		get_entity_component(player_id, "buf")[pickup.b] = pickup.d;
+	}
+	return true;
+}
+
+/** Select the next (or previous) owned weapon which has ammo */
+function cycle_weapon(pla, direction) {
+	let index = WEAPON_ORDER.indexOf(pla.s);
+	for (let i = 0; i < WEAPON_ORDER.length; i++) {
+		index = (index + direction + WEAPON_ORDER.length) % WEAPON_ORDER.length;
+		if (has_ammo(pla, WEAPON_ORDER[index])) {
+			pla.s = WEAPON_ORDER[index];
+			return;
+		}
+	}
+}
+
+/** Fire the player's selected weapon */
+function fire_weapon(pla, pos) {
+	const weapon = WEAPONS[pla.s];
+	play_sound(weapon.z);
+	// Set player attack cooldown
+	pla.c += weapon.c;
+	if (weapon.m !== undefined) {
+		pla.w[pla.s]--;
+	}
+	// Spawn projectiles, evenly spread across the weapon's spread angle
+	const count = weapon.n || 1;
+	for (let i = 0; i < count; i++) {
+		const angle =
+			count > 1 ? pos.f + (i / (count - 1) - 0.5) * weapon.a : pos.f;
+		const hx = Math.cos(angle);
+		const hy = Math.sin(angle);
+		const px = pos.x + hx * weapon.d;
+		const py = pos.y + hy * weapon.d;
+		const id = spawn_prefab_entity(weapon.p, px, py, angle);
+		const body = get_entity_component(id, "body");
+		body.vx = hx * weapon.s;
+		body.vy = hy * weapon.s;
+		const haz = get_entity_component(id, "haz");
+		if (haz !== undefined && has_buff(player_id, "damage")) {
+			haz.d *= BUFF_DAMAGE_MULTIPLIER;
 		}
 	}
-	return false;
+	// Switch away from an empty weapon
+	if (!has_ammo(pla, pla.s)) {
+		cycle_weapon(pla, -1);
+	}
 }
 
 function play_animation(id, index) {
@@ -604,7 +2079,8 @@ function spawn_prefab_entity(prefabKey, x, y, facing) {
 	const id = next_entity_id++;
 	const prefabComponents = PREFABS[prefabKey];
 	for (const componentKey in prefabComponents) {
-		const data = Object.assign({}, prefabComponents[componentKey]);
+		// Deep copy so instances don't share arrays (e.g. contact lists)
+		const data = JSON.parse(JSON.stringify(prefabComponents[componentKey]));
 		add_entity_component(id, componentKey, data);
 	}
 	const pos = get_entity_component(id, "pos");
@@ -647,6 +2123,79 @@ function clear_entities() {
 	}
 }
 
+/** Serialize the world (entities, map and game state) into a JSON-compatible object */
+function serialize_world() {
+	const saved_components = {};
+	for (const key in components) {
+		saved_components[key] = Array.from(components[key], ([id, data]) => {
+			if (key === "beh" && data.s !== undefined) {
+				// Behavior states are saved by name
+				const name = Object.keys(STATES).find((k) => STATES[k] === data.s);
+				data = Object.assign({}, data, { s: name });
+			}
+			return [id, data];
+		});
+	}
+	return {
+		c: saved_components,
+		n: next_entity_id,
+		p: player_id,
+		w: map_width,
+		h: map_height,
+		t: Array.from(map_tiles),
+		v: Array.from(map_seen),
+		g: {
+			s: game_state,
+			l: level,
+			r: run_seed,
+			k: kills,
+			x: rift_x,
+			y: rift_y,
+			i: rift_id,
+			q: random_state,
+		},
+	};
+}
+
+/** Restore the world from an object created by serialize_world */
+function deserialize_world(save) {
+	// Decode everything before touching the world, so a bad save throws with the world intact
+	const { w, h, t, v, g } = save;
+	const entries = [];
+	for (const key in save.c) {
+		for (const [id, data] of save.c[key]) {
+			if (key === "beh" && data.s !== undefined) {
+				data.s = STATES[data.s];
+				if (data.s === undefined) {
+					throw new Error("Unknown behavior state");
+				}
+			}
+			entries.push([id, key, data]);
+		}
+	}
+	if (t.length !== w * h || v.length !== w * h || typeof g.l !== "number") {
+		throw new Error("Malformed save");
+	}
+	clear_entities();
+	init_map(w, h);
+	map_tiles.set(t);
+	map_seen.set(v);
+	for (const [id, key, data] of entries) {
+		add_entity_component(id, key, data);
+	}
+	next_entity_id = save.n;
+	player_id = save.p;
+	game_state = g.s;
+	level = g.l;
+	run_seed = g.r;
+	kills = g.k;
+	rift_x = g.x;
+	rift_y = g.y;
+	rift_id = g.i;
+	random_state = g.q;
+	text_seed.t = `${STRING_SEED} ${run_seed}`;
+}
+
 /** Tween a property on a target to a specified value */
 function tween(subject, prop, to, duration) {
 	tweens.push({
@@ -711,6 +2260,11 @@ function raycast(ox, oy, dx, dy) {
 	let x = Math.floor(ox);
 	let y = Math.floor(oy);
 
+	// Reveal the origin cell on the automap
+	if (x >= 0 && x < map_width && y >= 0 && y < map_height) {
+		map_seen[y * map_width + x] = 1;
+	}
+
 	const delta_dist_x = Math.sqrt(1 + (dy * dy) / (dx * dx));
 	const delta_dist_y = Math.sqrt(1 + (dx * dx) / (dy * dy));
 
@@ -752,6 +2306,7 @@ function raycast(ox, oy, dx, dy) {
 		if (x >= 0 && x < map_width && y >= 0 && y < map_height) {
 			const i = y * map_width + x;
 			const value = map_tiles[i];
+			map_seen[i] = 1;
 			if (value !== 0) {
 				// Hit a wall
 				result.v = value;
@@ -779,6 +2334,162 @@ function render_rect(x, y, width, height, color) {
 	ctx.fillRect(x, y, width, height);
 }
 
+/** Render a row of icons from the sprite sheet, with empty slots faded */
+function render_icons(index, count, slots, size, x, y) {
+	const alpha = ctx.globalAlpha;
+	for (let i = 0; i < Math.max(count, slots); i++) {
+		ctx.globalAlpha = i < count ? alpha : alpha * 0.25;
+		ctx.drawImage(
+			textures,
+			index * TEXTURE_SIZE,
+			0,
+			TEXTURE_SIZE,
+			TEXTURE_SIZE,
+			x + i * size * 1.25,
+			y,
+			size,
+			size
+		);
+	}
+	ctx.globalAlpha = alpha;
+}
+
+/** Render a crosshair centered on a point */
+function render_crosshair(size, color, x, y) {
+	const gap = size / 2;
+	render_rect(x - gap - size, y - 1, size, 2, color);
+	render_rect(x + gap, y - 1, size, 2, color);
+	render_rect(x - 1, y - gap - size, 2, size, color);
+	render_rect(x - 1, y + gap, 2, size, color);
+}
+
+/** Render the explored map, either following the camera or fit within bounds */
+function render_automap(follow, x, y, width, height) {
+	let size = MINIMAP_CELL_SIZE;
+	let ox = x + width / 2 - camera_x * size;
+	let oy = y + height / 2 - camera_y * size;
+	if (!follow) {
+		size = Math.floor(Math.min(width / map_width, height / map_height));
+		ox = x + (width - map_width * size) / 2;
+		oy = y + (height - map_height * size) / 2;
+	}
+
+	const alpha = ctx.globalAlpha;
+	ctx.save();
+	ctx.beginPath();
+	ctx.rect(x, y, width, height);
+	ctx.clip();
+
+	// Background
+	ctx.globalAlpha = alpha * 0.5;
+	render_rect(x, y, width, height, "#000");
+	ctx.globalAlpha = alpha;
+
+	// Explored cells
+	for (let i = 0; i < map_tiles.length; i++) {
+		if (map_seen[i] === 0) {
+			continue;
+		}
+		const cx = i % map_width;
+		const cy = Math.floor(i / map_width);
+		render_rect(
+			ox + cx * size,
+			oy + cy * size,
+			size,
+			size,
+			map_tiles[i] === 0 ? "#202040" : "#c8c8c8"
+		);
+	}
+
+	// Nearby enemies within explored cells
+	const mortals = components.mor;
+	if (mortals !== undefined) {
+		for (const [id] of mortals) {
+			const body = get_entity_component(id, "body");
+			const pos = get_entity_component(id, "pos");
+			if (
+				body === undefined ||
+				body.g !== GROUP_ENEMY ||
+				map_seen[idx(Math.floor(pos.x), Math.floor(pos.y), map_width)] === 0 ||
+				distance(pos.x, pos.y, camera_x, camera_y) > AUTOMAP_ENEMY_RANGE
+			) {
+				continue;
+			}
+			render_rect(
+				ox + pos.x * size - size / 4,
+				oy + pos.y * size - size / 4,
+				size / 2,
+				size / 2,
+				"#e03c32"
+			);
+		}
+	}
+
+	// Paths chasing enemies are following (debug)
+	const behaviors = components.beh;
+	if (debug_mode && flow_field !== undefined && behaviors !== undefined) {
+		ctx.strokeStyle = "#a4f022";
+		ctx.lineWidth = 1;
+		for (const [id, behavior] of behaviors) {
+			const pos = get_entity_component(id, "pos");
+			const start = idx(Math.floor(pos.x), Math.floor(pos.y), map_width);
+			if (
+				behavior.s !== state_chase ||
+				start < 0 ||
+				start >= map_tiles.length
+			) {
+				continue;
+			}
+			ctx.beginPath();
+			ctx.moveTo(ox + pos.x * size, oy + pos.y * size);
+			for (let cell = flow_step(start); cell !== -1; cell = flow_step(cell)) {
+				ctx.lineTo(
+					ox + ((cell % map_width) + 0.5) * size,
+					oy + (Math.floor(cell / map_width) + 0.5) * size
+				);
+			}
+			ctx.stroke();
+		}
+	}
+
+	// Camera position and facing
+	const px = ox + camera_x * size;
+	const py = oy + camera_y * size;
+	ctx.strokeStyle = "#27badb";
+	ctx.lineWidth = 2;
+	ctx.beginPath();
+	ctx.moveTo(px, py);
+	ctx.lineTo(
+		px + camera_facing_x * size * 1.5,
+		py + camera_facing_y * size * 1.5
+	);
+	ctx.stroke();
+	render_rect(px - size / 4, py - size / 4, size / 2, size / 2, "#27badb");
+
+	ctx.restore();
+}
+
+/** Render a list of options, highlighting the selected one */
+function render_menu(options, selected, rows, size, color, x, y) {
+	const first = menu_scroll(options.length, selected, rows);
+	const last = Math.min(first + rows, options.length);
+	for (let i = first; i < last; i++) {
+		const text = i === selected ? `> ${options[i]} <` : `  ${options[i]}  `;
+		render_text(
+			text,
+			size,
+			i === selected ? "#27badb" : color,
+			x,
+			y + (i - first) * size * 1.5
+		);
+	}
+}
+
+/** Get the first visible option of a menu, scrolled to keep the selected option visible */
+function menu_scroll(count, selected, rows) {
+	return clamp(selected - Math.floor(rows / 2), 0, Math.max(count - rows, 0));
+}
+
 function render_text(text, size, color, x, y) {
 	const shadow_offset = Math.min(Math.floor(size / 16), 4);
 	ctx.font = `${size}px Menlo, monospace`;
@@ -799,7 +2510,9 @@ function render_text(text, size, color, x, y) {
 
 /** User input system */
 function system_input(dt) {
-	if (game_state !== "play") {
+	if (!is_playing()) {
+		// Scrolling in menus shouldn't change weapons later
+		wheel = 0;
 		return;
 	}
 
@@ -808,39 +2521,82 @@ function system_input(dt) {
 		return;
 	}
 	const pos = get_entity_component(player_id, "pos");
+	const body = get_entity_component(player_id, "body");
 	// Decrease player attack cooldown
 	if (pla.c > 0) {
 		pla.c -= dt;
 	}
-	const facing_x = Math.cos(pos.f);
-	const facing_y = Math.sin(pos.f);
-	const move_distance = PLAYER_MOVE_SPEED * dt;
-	const rot_distance = PLAYER_ROT_SPEED * dt;
-	if (key_down(38, 87)) {
-		pos.x += facing_x * move_distance;
-		pos.y += facing_y * move_distance;
-	} else if (key_down(40, 83)) {
-		pos.x -= facing_x * move_distance;
-		pos.y -= facing_y * move_distance;
-	}
-	if (key_down(37, 65)) {
+
+	// Turn with the keyboard; turn keys strafe instead while the mouse is captured
+	const rot_distance = settings.turn_speed * dt;
+	if (!mouse_locked && action_down("turn_left")) {
 		pos.f -= rot_distance;
-	} else if (key_down(39, 68)) {
+	} else if (!mouse_locked && action_down("turn_right")) {
 		pos.f += rot_distance;
 	}
-	if (key_down(13, 32) && pla.c <= 0) {
-		const weapon = WEAPONS[pla.w];
-		// Set player attack cooldown
-		pla.c += weapon.c;
-		// Spawn a projectile
-		const hx = Math.cos(pos.f);
-		const hy = Math.sin(pos.f);
-		const px = pos.x + hx * weapon.d;
-		const py = pos.y + hy * weapon.d;
-		const id = spawn_prefab_entity(weapon.p, px, py, pos.f);
-		const body = get_entity_component(id, "body");
-		body.vx = hx * weapon.s;
-		body.vy = hy * weapon.s;
+
+	// Turn with the mouse
+	pos.f += mouse_dx * settings.mouse_sensitivity;
+	mouse_dx = 0;
+	if (action_pressed("sensitivity_down")) {
+		step_setting("mouse_sensitivity", -1, false);
+	} else if (action_pressed("sensitivity_up")) {
+		step_setting("mouse_sensitivity", 1, false);
+	}
+
+	// Move along the facing direction and strafe along the camera plane
+	let forward = 0;
+	let strafe = 0;
+	if (action_down("move_forward")) {
+		forward = 1;
+	} else if (action_down("move_backward")) {
+		forward = -1;
+	}
+	if (
+		action_down("strafe_left") ||
+		(mouse_locked && action_down("turn_left"))
+	) {
+		strafe = -1;
+	} else if (
+		action_down("strafe_right") ||
+		(mouse_locked && action_down("turn_right"))
+	) {
+		strafe = 1;
+	}
+	const move_speed = has_buff(player_id, "speed")
+		? PLAYER_MOVE_SPEED * BUFF_SPEED_MULTIPLIER
+		: PLAYER_MOVE_SPEED;
+	const facing_x = Math.cos(pos.f);
+	const facing_y = Math.sin(pos.f);
+	const length = Math.sqrt(forward * forward + strafe * strafe) || 1;
+	// Move via the body's velocity, so the physics system resolves collisions
+	body.vx = ((facing_x * forward - facing_y * strafe) / length) * move_speed;
+	body.vy = ((facing_y * forward + facing_x * strafe) / length) * move_speed;
+
+	// Select weapons with number keys or the mouse wheel
+	for (let i = 0; i < WEAPON_ORDER.length; i++) {
+		if (action_down(`weapon_${i + 1}`) && has_ammo(pla, WEAPON_ORDER[i])) {
+			pla.s = WEAPON_ORDER[i];
+		}
+	}
+	if (wheel !== 0) {
+		cycle_weapon(pla, wheel);
+		wheel = 0;
+	}
+	if (action_pressed("weapon_prev")) {
+		cycle_weapon(pla, -1);
+	} else if (action_pressed("weapon_next")) {
+		cycle_weapon(pla, 1);
+	}
+	if (action_pressed("automap")) {
+		toggle_automap(!automap_open);
+	}
+	if (
+		(action_down("fire") || mouse_down) &&
+		pla.c <= 0 &&
+		has_ammo(pla, pla.s)
+	) {
+		fire_weapon(pla, pos);
 	}
 }
 
@@ -1012,16 +2768,23 @@ function system_hazard() {
 
 	for (const [id, hazard] of hazards) {
 		const body = get_entity_component(id, "body");
-		if (body.c.length > 0) {
-			const contact_id = body.c[0];
-			const mortal = get_entity_component(contact_id, "mor");
-			if (mortal !== undefined) {
-				mortal.h -= hazard.d;
+		if (hazard.p === 1) {
+			// Piercing hazards damage every contact, but only once each
+			for (const contact_id of body.c) {
+				if (hazard.h.indexOf(contact_id) === -1) {
+					hazard.h.push(contact_id);
+					damage_entity(contact_id, hazard.d);
+				}
 			}
+		} else if (body.c.length > 0) {
+			damage_entity(body.c[0], hazard.d);
 		}
 
-		// Remove hazard if it's a "one shot"
-		if (hazard.o === 1 && (body.e === 1 || body.c.length > 0)) {
+		// Remove hazard if it's a "one shot", or a piercing hazard hit a wall
+		if (
+			(hazard.o === 1 && (body.e === 1 || body.c.length > 0)) ||
+			(hazard.p === 1 && body.e === 1)
+		) {
 			remove_entity(id);
 		}
 	}
@@ -1037,16 +2800,57 @@ function system_mortal() {
 	for (const [id, mortal] of mortals) {
 		if (mortal.h <= 0) {
 			const pos = get_entity_component(id, "pos");
+			const body = get_entity_component(id, "body");
+			if (body !== undefined && body.g === GROUP_ENEMY) {
+				// The rift opens where the last enemy died
+				rift_x = pos.x;
+				rift_y = pos.y;
+				kills++;
+				// Enemies sometimes drop a pickup
+				if (random() < PICKUP_DROP_CHANCE) {
+					spawn_prefab_entity(random_pick(DROP_PICKUPS), pos.x, pos.y, 0);
+				}
+			}
 			spawn_prefab_entity("boom", pos.x, pos.y, 0);
+			play_sound("boom", pos.x, pos.y);
 			remove_entity(id);
 		}
 	}
 }
 
+/** Whether the player entity is still alive */
+function has_player() {
+	return get_entity_component(player_id, "pos") !== undefined;
+}
+
+/** Begin the game over sequence */
+function lose() {
+	game_state = "play_outro";
+	game_timer += 2;
+	overlay.c = "#4c0000";
+	overlay.a = 0;
+	tween(overlay, "a", 1, 1.5);
+	fade_hud(0, 0.5);
+	play_sound("lose");
+	// The run is over, so there's nothing left to continue
+	save_storage(SAVE_STORAGE_KEY, null);
+	if (automap_open) {
+		toggle_automap(false);
+	}
+	if (mouse_locked) {
+		document.exitPointerLock();
+	}
+}
+
 function system_game(dt) {
-	if (game_timer > 0) {
+	if (game_timer > 0 && pause_state === null) {
 		game_timer -= dt;
 	}
+	if (is_playing() && action_pressed("pause")) {
+		// Don't let the paused state see the same key press
+		pause();
+		return;
+	}
 	switch (game_state) {
 		case "load":
 			if (game_timer <= 0) {
@@ -1057,15 +2861,7 @@ function system_game(dt) {
 			break;
 		case "load_outro":
 			if (game_timer <= 0) {
-				game_state = "title_intro";
-				game_timer += 0.5;
-				text_pre.t = STRING_TITLE_PRE;
-				text_main.t = STRING_TITLE;
-				text_main.c = "#27badb";
-				text_cta.t = STRING_START;
-				tween(text_pre, "a", 1, 0.5);
-				tween(text_main, "a", 1, 0.5);
-				tween(text_cta, "a", 1, 0.5);
+				show_title();
 			}
 			break;
 		case "title_intro":
@@ -1074,12 +2870,124 @@ function system_game(dt) {
 			}
 			break;
 		case "title":
-			if (key_down(32)) {
-				game_state = "title_outro";
-				game_timer += 0.5;
-				tween(text_pre, "a", 0, 0.25);
-				tween(text_main, "a", 0, 0.25);
-				tween(text_cta, "a", 0, 0.25);
+			navigate_menu(title_menu);
+			if (action_pressed("confirm") || action_pressed("menu_select")) {
+				const option = title_menu.o[title_menu.i];
+				hide_title();
+				if (option === STRING_OPTIONS) {
+					show_options();
+					play_sound("select");
+				} else {
+					game_state =
+						option === STRING_CONTINUE ? "continue_outro" : "title_outro";
+					game_timer += 0.5;
+					play_sound("start");
+				}
+			}
+			break;
+		case "controls":
+			if (rebind_action !== null) {
+				// Bind the first key pressed, or cancel with the menu back key
+				const code = Object.keys(keyboard_pressed)[0];
+				if (action_pressed("menu_back")) {
+					rebind_action = null;
+				} else if (code !== undefined) {
+					// Take the key from other actions, refusing it if it's the only key one of them has
+					const key = parseInt(code, 10);
+					const taken = Object.keys(bindings).some(
+						(action) =>
+							action !== rebind_action &&
+							bindings[action].length === 1 &&
+							bindings[action][0] === key
+					);
+					if (taken || !key_bindable(rebind_action, key)) {
+						play_sound("hit");
+					} else {
+						for (const action in bindings) {
+							bindings[action] = bindings[action].filter((k) => k !== key);
+						}
+						bindings[rebind_action] = [key];
+						set_bindings(bindings);
+						save_bindings();
+						rebind_action = null;
+					}
+				}
+				update_controls_menu();
+			} else if (action_pressed("menu_select")) {
+				play_sound("select");
+				rebind_action = Object.keys(DEFAULT_BINDINGS)[controls_menu.i];
+				update_controls_menu();
+			} else if (action_pressed("menu_reset")) {
+				set_bindings(Object.assign({}, DEFAULT_BINDINGS));
+				save_bindings();
+				update_controls_menu();
+			} else if (action_pressed("menu_back")) {
+				fade_controls(0, 0.25);
+				show_options();
+				options_menu.i = options_menu.o.indexOf(STRING_CONTROLS);
+			} else {
+				navigate_menu(controls_menu);
+			}
+			break;
+		case "options":
+			const option_key = Object.keys(OPTIONS)[options_menu.i];
+			if (action_pressed("menu_back")) {
+				hide_options();
+			} else if (option_key !== undefined && action_pressed("menu_left")) {
+				step_setting(option_key, -1, false);
+				update_options_menu();
+				play_sound("select");
+			} else if (option_key !== undefined && action_pressed("menu_right")) {
+				step_setting(option_key, 1, false);
+				update_options_menu();
+				play_sound("select");
+			} else if (action_pressed("confirm") || action_pressed("menu_select")) {
+				play_sound("select");
+				if (option_key !== undefined) {
+					step_setting(option_key, 1, true);
+					update_options_menu();
+				} else if (options_menu.o[options_menu.i] === STRING_CONTROLS) {
+					fade_options(0, 0.25);
+					show_controls();
+				} else {
+					hide_options();
+				}
+			} else {
+				navigate_menu(options_menu);
+			}
+			break;
+		case "paused":
+			if (action_pressed("pause") || action_pressed("menu_back")) {
+				resume();
+			} else if (action_pressed("confirm") || action_pressed("menu_select")) {
+				const option = pause_menu.o[pause_menu.i];
+				play_sound("select");
+				if (option === STRING_RESUME) {
+					resume();
+				} else if (option === STRING_RESTART_LEVEL) {
+					resume();
+					try {
+						deserialize_world(JSON.parse(JSON.stringify(level_save)));
+					} catch (e) {
+						// The level can't be restored; carry on with the world as it is
+					}
+					game_timer = 0;
+					tween(text_cta, "a", 0, 0.25);
+				} else if (option === STRING_OPTIONS) {
+					fade_pause(0, 0.25);
+					show_options();
+				} else if (option === STRING_QUIT) {
+					// The autosave from the start of the level can still be continued
+					resume();
+					clear_entities();
+					game_timer = 0;
+					tween(text_cta, "a", 0, 0.25);
+					fade_hud(0, 0.25);
+					start_run(get_seed(false));
+					show_title();
+				}
+			} else {
+				navigate_menu(pause_menu);
 			}
 			break;
 		case "title_outro":
@@ -1091,17 +2999,80 @@ function system_game(dt) {
 					camera_y,
 					Math.atan2(camera_facing_y, camera_facing_x)
 				);
+				// Forget what the title screen camera has seen
+				map_seen.fill(0);
 				spawn_hazards();
+				spawn_pickups();
+				save_game();
+				fade_hud(1, 0.5);
+			}
+			break;
+		case "continue_outro":
+			if (game_timer <= 0) {
+				if (load_game()) {
+					fade_hud(1, 0.5);
+				} else {
+					// Fall back to a new game if the save can't be restored
+					game_state = "title_outro";
+				}
 			}
 			break;
 		case "play":
-			const pos = get_entity_component(player_id, "pos");
-			if (pos === undefined) {
-				game_state = "play_outro";
-				game_timer += 2;
-				overlay.c = "#4c0000";
-				overlay.a = 0;
-				tween(overlay, "a", 1, 1.5);
+			if (!has_player()) {
+				lose();
+			} else if (count_enemies() === 0) {
+				game_state = "level_complete";
+				game_timer = 2;
+				rift_id = spawn_prefab_entity("rift", rift_x, rift_y, 0);
+				play_sound("rift", rift_x, rift_y);
+				text_cta.t = STRING_RIFT_OPEN;
+				tween(text_cta, "a", 1, 0.5);
+			}
+			break;
+		case "level_complete":
+			if (game_timer <= 0 && text_cta.a === 1) {
+				tween(text_cta, "a", 0, 0.5);
+			}
+			if (!has_player()) {
+				lose();
+			} else if (
+				get_entity_component(rift_id, "body").c.indexOf(player_id) !== -1
+			) {
+				game_state = "next_level";
+				game_timer = 1.5;
+				play_sound("level");
+				overlay.c = "#000";
+				tween(overlay, "a", 1, 1);
+				text_main.t = `${STRING_LEVEL} ${level + 1}`;
+				text_main.c = "#27badb";
+				tween(text_main, "a", 1, 1);
+				tween(text_cta, "a", 0, 0.25);
+				fade_hud(0, 0.5);
+				if (automap_open) {
+					toggle_automap(false);
+				}
+			}
+			break;
+		case "next_level":
+			if (game_timer <= 0) {
+				// Carry the player's state over to the next level
+				const pla = get_entity_component(player_id, "pla");
+				const mor = get_entity_component(player_id, "mor");
+				const buf = get_entity_component(player_id, "buf");
+				clear_entities();
+				level++;
+				start_level();
+				player_id = spawn_prefab_entity("player", camera_x, camera_y, 0);
+				add_entity_component(player_id, "pla", pla);
+				add_entity_component(player_id, "mor", mor);
+				add_entity_component(player_id, "buf", buf);
+				spawn_hazards();
+				spawn_pickups();
+				game_state = "play";
+				save_game();
+				tween(overlay, "a", 0, 1);
+				tween(text_main, "a", 0, 1);
+				fade_hud(1, 1);
 			}
 			break;
 		case "play_outro":
@@ -1109,11 +3080,14 @@ function system_game(dt) {
 				clear_entities();
 				game_state = "lost_intro";
 				game_timer += 1;
+				text_pre.t = `${STRING_LEVEL} ${level}`;
 				text_main.t = STRING_GAME_OVER;
 				text_main.c = "#ffffff";
-				text_cta.t = STRING_RESTART;
+				text_cta.t = prompt_text(STRING_RESTART, "confirm");
+				tween(text_pre, "a", 1, 1);
 				tween(text_main, "a", 1, 1);
 				tween(text_cta, "a", 1, 1);
+				tween(text_seed, "a", 1, 1);
 			}
 			break;
 		case "lost_intro":
@@ -1122,11 +3096,13 @@ function system_game(dt) {
 			}
 			break;
 		case "lost":
-			if (key_down(32)) {
+			if (action_pressed("confirm")) {
 				game_state = "lost_outro";
 				game_timer += 0.5;
+				tween(text_pre, "a", 0, 0.25);
 				tween(text_main, "a", 0, 0.25);
 				tween(text_cta, "a", 0, 0.25);
+				tween(text_seed, "a", 0, 0.25);
 			}
 			break;
 		case "lost_outro":
@@ -1135,13 +3111,7 @@ function system_game(dt) {
 				game_timer = 0.5;
 				overlay.a = 1;
 				overlay.c = "#000";
-				generate_map(21, 21);
-				set_camera(
-					Math.floor(map_width / 2) + 0.5,
-					Math.floor(map_height / 2) + 0.5,
-					1,
-					0
-				);
+				start_run(get_seed(false));
 			}
 			break;
 	}
@@ -1159,6 +3129,8 @@ function system_camera(dt) {
 			set_camera(camera_x, camera_y, Math.cos(angle), Math.sin(angle));
 			break;
 		case "play":
+		case "level_complete":
+		case "next_level":
 			const pos = get_entity_component(player_id, "pos");
 			if (pos !== undefined) {
 				set_camera(pos.x, pos.y, Math.cos(pos.f), Math.sin(pos.f));
@@ -1167,6 +3139,22 @@ function system_camera(dt) {
 	}
 }
 
+/** HUD system, which reflects the player's state in the HUD elements */
+function system_hud() {
+	const mor = get_entity_component(player_id, "mor");
+	const pla = get_entity_component(player_id, "pla");
+	if (mor === undefined || pla === undefined) {
+		hud_health.n = 0;
+		return;
+	}
+	hud_health.n = Math.max(mor.h, 0);
+	hud_health.m = mor.m;
+	hud_weapon.i = WEAPONS[pla.s].i;
+	hud_ammo.n = WEAPONS[pla.s].m === undefined ? "--" : pla.w[pla.s];
+	hud_level.n = level;
+	hud_kills.n = kills;
+}
+
 /** Tweening system */
 function system_tween(dt) {
 	const deadpool = [];
@@ -1213,6 +3201,39 @@ function system_animation(dt) {
 	}
 }
 
+/** Pickup collection system */
+function system_pickup() {
+	const pickups = components.pickup;
+	if (pickups === undefined || !has_player()) {
+		return;
+	}
+
+	for (const [id, pickup] of pickups) {
+		const body = get_entity_component(id, "body");
+		if (body.c.indexOf(player_id) !== -1 && apply_pickup(pickup)) {
+			play_sound("pickup");
+			remove_entity(id);
+		}
+	}
+}
+
+/** Buff expiry system */
+function system_buff(dt) {
+	const buffs = components.buf;
+	if (buffs === undefined) {
+		return;
+	}
+
+	for (const [, buf] of buffs) {
+		for (const key in buf) {
+			buf[key] -= dt;
+			if (buf[key] <= 0) {
+				delete buf[key];
+			}
+		}
+	}
+}
+
 /** Time-to-live system */
 function system_ttl(dt) {
 	const doomed = components.ttl;
@@ -1227,6 +3248,24 @@ function system_ttl(dt) {
 	}
 }
 
+/** Rebuild the flow field toward the player whenever they move to another cell */
+function system_flow_field() {
+	const pos = get_entity_component(player_id, "pos");
+	if (pos === undefined) {
+		return;
+	}
+	const x = Math.floor(pos.x);
+	const y = Math.floor(pos.y);
+	if (x < 0 || x >= map_width || y < 0 || y >= map_height) {
+		return;
+	}
+	const cell = y * map_width + x;
+	if (cell !== flow_cell) {
+		flow_field = flood_fill(x, y);
+		flow_cell = cell;
+	}
+}
+
 /** Behavior system */
 function system_behavior(dt) {
 	const behaviors = components.beh;
@@ -1291,7 +3330,7 @@ function system_behavior(dt) {
 
 /** Render the map/world to the canvas */
 function system_render_map() {
-	const half_height = CAMERA_HEIGHT / 2;
+	const half_height = view_height / 2;
 
 	const facing = Math.atan2(camera_facing_y, camera_facing_x);
 	const angle = ((facing % TAU) + TAU) % TAU;
@@ -1326,15 +3365,15 @@ function system_render_map() {
 		);
 	}
 
-	for (let x = 0; x < CAMERA_WIDTH; x++) {
-		const cam_x = (2 * x) / CAMERA_WIDTH - 1; // x coordinate in camera space
+	for (let x = 0; x < view_width; x++) {
+		const cam_x = (2 * x) / view_width - 1; // x coordinate in camera space
 
 		const ray_x = camera_facing_x + camera_plane_x * cam_x;
 		const ray_y = camera_facing_y + camera_plane_y * cam_x;
 
 		const ray = raycast(camera_x, camera_y, ray_x, ray_y);
 
-		const line_height = CAMERA_HEIGHT / ray.d;
+		const line_height = view_height / ray.d;
 
 		const draw_start = -line_height / 2 + half_height;
 		const draw_end = line_height / 2 + half_height;
@@ -1423,31 +3462,31 @@ function system_render_entities() {
 		var tx = inv_det * (camera_facing_y * ex - camera_facing_x * ey);
 		var ty = inv_det * (-camera_plane_y * ex + camera_plane_x * ey);
 
-		var sx = Math.round((CAMERA_WIDTH / 2) * (1 + tx / ty));
+		var sx = Math.round((view_width / 2) * (1 + tx / ty));
 
 		// Calculate sprite draw height
-		const sprite_height = Math.abs(Math.round(CAMERA_HEIGHT / ty));
-		const draw_start_y = -sprite_height / 2 + CAMERA_HEIGHT / 2;
-		const draw_end_y = sprite_height / 2 + CAMERA_HEIGHT / 2;
+		const sprite_height = Math.abs(Math.round(view_height / ty));
+		const draw_start_y = -sprite_height / 2 + view_height / 2;
+		const draw_end_y = sprite_height / 2 + view_height / 2;
 
 		// Bail out if sprite is not visible
-		if (draw_start_y > CAMERA_HEIGHT || draw_end_y < 0) {
+		if (draw_start_y > view_height || draw_end_y < 0) {
 			continue;
 		}
 
 		// Calculate sprite draw width
-		const sprite_width = Math.abs(Math.round(CAMERA_HEIGHT / ty));
+		const sprite_width = Math.abs(Math.round(view_height / ty));
 		const draw_start_x = Math.round(-sprite_width / 2 + sx);
 		const draw_end_x = Math.round(sprite_width / 2 + sx);
 
 		// Bail out if sprite is not visible
-		if (draw_start_x > CAMERA_WIDTH || draw_end_x < 0) {
+		if (draw_start_x > view_width || draw_end_x < 0) {
 			continue;
 		}
 
 		// Draw sprite in vertical stripes
 		for (let x = draw_start_x; x < draw_end_x; ++x) {
-			if (ty > 0 && x > 0 && x < CAMERA_WIDTH && ty < depth_buffer[x]) {
+			if (ty > 0 && x > 0 && x < view_width && ty < depth_buffer[x]) {
 				let texture_x = Math.floor(
 					((x - (-sprite_width / 2 + sx)) * TEXTURE_SIZE) / sprite_width
 				);
@@ -1469,6 +3508,15 @@ function system_render_entities() {
 }
 
 function system_render_ui() {
+	// UI is laid out in camera pixels, whatever the render scale
+	ctx.setTransform(
+		view_width / CAMERA_WIDTH,
+		0,
+		0,
+		view_height / CAMERA_HEIGHT,
+		0,
+		0
+	);
 	for (const element of ui) {
 		if (element.a <= 0) {
 			continue;
@@ -1481,9 +3529,46 @@ function system_render_ui() {
 			case 1: // Text
 				render_text(element.t, element.s, element.c, element.x, element.y);
 				break;
+			case 2: // Icon row
+				render_icons(
+					element.i,
+					element.n,
+					element.m,
+					element.s,
+					element.x,
+					element.y
+				);
+				break;
+			case 3: // Counter
+				render_text(
+					`${element.t} ${element.n}`,
+					element.s,
+					element.c,
+					element.x,
+					element.y
+				);
+				break;
+			case 4: // Crosshair
+				render_crosshair(element.s, element.c, element.x, element.y);
+				break;
+			case 5: // Automap
+				render_automap(element.f, element.x, element.y, element.w, element.h);
+				break;
+			case 6: // Menu
+				render_menu(
+					element.o,
+					element.i,
+					element.r,
+					element.s,
+					element.c,
+					element.x,
+					element.y
+				);
+				break;
 		}
 		ctx.globalAlpha = 1;
 	}
+	ctx.setTransform(1, 0, 0, 1, 0, 0);
 }
 
 /** Frame handler */
@@ -1494,8 +3579,26 @@ function frame(time) {
 
 	// Execute systems
 	if (dt < 0.2) {
+		let render_elapsed = 0;
 		for (const sys of systems) {
-			sys(dt);
+			if (pause_state === null || simulation_systems.indexOf(sys) === -1) {
+				const start = performance.now();
+				sys(dt);
+				if (render_systems.indexOf(sys) !== -1) {
+					render_elapsed += performance.now() - start;
+				}
+			}
+		}
+		// Time rendering on its own, since the time between frames includes waiting for vsync
+		render_time = lerp(
+			render_elapsed / 1000,
+			render_time,
+			RENDER_TIME_SMOOTHING
+		);
+
+		// Forget key presses once every system has had a chance to see them
+		for (const key in keyboard_pressed) {
+			delete keyboard_pressed[key];
 		}
 	}
 
@@ -1508,28 +3611,90 @@ function scale_canvas() {
 	const width = window.innerWidth;
 	const height = window.innerHeight;
 
-	// Determine scale while maintaining aspect ratio
-	const scale = Math.min(width / canvas.width, height / canvas.height);
+	// Determine scale while maintaining aspect ratio (in camera pixels, so the
+	// on-screen size doesn't depend on the render scale)
+	const scale = Math.min(width / CAMERA_WIDTH, height / CAMERA_HEIGHT);
 
 	// Calculate centered position for scaled canvas
-	const left = width / 2 - (canvas.width / 2) * scale;
-	const top = height / 2 - (canvas.height / 2) * scale;
+	const left = width / 2 - (CAMERA_WIDTH / 2) * scale;
+	const top = height / 2 - (CAMERA_HEIGHT / 2) * scale;
 
 	// Apply styles
-	canvas.style.width = `${canvas.width * scale}px`;
-	canvas.style.height = `${canvas.height * scale}px`;
+	canvas.style.width = `${CAMERA_WIDTH * scale}px`;
+	canvas.style.height = `${CAMERA_HEIGHT * scale}px`;
 	canvas.style.left = `${left}px`;
 	canvas.style.top = `${top}px`;
 }
 
+/** Change the view scale, resizing the view if it changes size */
+function set_view_scale(scale) {
+	view_scale = scale;
+	view_scale_timer = 0;
+	if (Math.round(CAMERA_WIDTH * view_scale) !== view_width) {
+		resize_view();
+	}
+}
+
+/** Lower the view scale while rendering is slow, and raise it back once it's fast again */
+function system_resolution(dt) {
+	view_scale_timer += dt;
+	if (settings.dynamic_resolution !== 1) {
+		return;
+	}
+	if (
+		render_time > DYNAMIC_SLOW_RENDER_TIME &&
+		view_scale_timer >= DYNAMIC_LOWER_DELAY &&
+		view_scale > DYNAMIC_SCALE_MIN
+	) {
+		set_view_scale(
+			Math.max(view_scale - DYNAMIC_SCALE_STEP, DYNAMIC_SCALE_MIN)
+		);
+	} else if (
+		render_time < DYNAMIC_FAST_RENDER_TIME &&
+		view_scale_timer >= DYNAMIC_RAISE_DELAY &&
+		view_scale < settings.render_scale
+	) {
+		set_view_scale(
+			Math.min(view_scale + DYNAMIC_SCALE_STEP, settings.render_scale)
+		);
+	}
+}
+
+/** Resize the drawing surface and buffers to the view scale */
+function resize_view() {
+	view_width = Math.round(CAMERA_WIDTH * view_scale);
+	view_height = Math.round(CAMERA_HEIGHT * view_scale);
+	depth_buffer = new Array(view_width);
+	canvas.width = view_width;
+	canvas.height = view_height;
+	// Resizing the canvas resets its context state
+	ctx.imageSmoothingEnabled = false;
+	render_background();
+}
+
+/** Render the skybox and floor into the background buffer */
+function render_background() {
+	bg_buffer = document.createElement("canvas");
+	bg_buffer.width = view_width;
+	bg_buffer.height = view_height;
+	const bg_ctx = bg_buffer.getContext("2d");
+	bg_ctx.scale(view_width / CAMERA_WIDTH, view_height / CAMERA_HEIGHT);
+	const half_height = CAMERA_HEIGHT / 2;
+	bg_ctx.fillStyle = "#000000";
+	bg_ctx.fillRect(0, 0, CAMERA_WIDTH, half_height);
+	bg_ctx.fillStyle = "#707070";
+	bg_ctx.fillRect(0, half_height, CAMERA_WIDTH, half_height);
+	for (const [x, y, color] of stars) {
+		bg_ctx.fillStyle = color;
+		bg_ctx.fillRect(x, y, 2, 2);
+	}
+}
+
 /** Main entry point */
 function main() {
 	// Load textures
 	textures.src = "textures.png";
 
-	// Initialize depth buffer
-	depth_buffer = new Array(CAMERA_WIDTH);
-
 	// Initialize drawing surface
 	canvas = document.createElement("canvas");
 	canvas.width = CAMERA_WIDTH;
@@ -1541,16 +3706,11 @@ function main() {
 	ctx = canvas.getContext("2d");
 	ctx.imageSmoothingEnabled = false;
 
-	bg_buffer = document.createElement("canvas");
-	bg_buffer.width = canvas.width;
-	bg_buffer.height = canvas.height;
-	const bg_ctx = bg_buffer.getContext("2d");
-	const half_height = bg_buffer.height / 2;
-	bg_ctx.fillStyle = "#000000";
-	bg_ctx.fillRect(0, 0, CAMERA_WIDTH, half_height);
-	bg_ctx.fillStyle = "#707070";
-	bg_ctx.fillRect(0, half_height, CAMERA_WIDTH, half_height);
-	bg_ctx.fillStyle = "#FFFFFF";
+	// Seed the run before anything random is generated
+	run_seed = get_seed(true);
+	debug_mode = new URLSearchParams(window.location.search).has("debug");
+	seed_random(run_seed);
+
 	const colors = [
 		"#202040",
 		"#340058",
@@ -1560,40 +3720,91 @@ function main() {
 		"#006ab4",
 	];
 	for (let i = 0; i < 500; i++) {
-		bg_ctx.fillStyle = random_pick(colors);
-		bg_ctx.fillRect(random_int(bg_buffer.width), random_int(half_height), 2, 2);
+		const color = random_pick(colors);
+		stars.push([
+			random_int(CAMERA_WIDTH),
+			random_int(CAMERA_HEIGHT / 2),
+			color,
+		]);
 	}
 
+	// Initialize the view, depth buffer and background at the render scale
+	load_settings();
+	resize_view();
+
 	// Init systems
 	systems.push(
 		system_input,
+		system_flow_field,
 		system_behavior,
 		system_physics,
 		system_hazard,
+		system_pickup,
 		system_mortal,
+		system_buff,
 		system_ttl,
 		system_game,
 		system_animation,
+		system_hud,
 		system_tween,
 		system_camera,
+		system_resolution,
 		system_render_map,
 		system_render_entities,
 		system_render_ui
 	);
-
-	generate_map(21, 21);
-
-	set_camera(
-		Math.floor(map_width / 2) + 0.5,
-		Math.floor(map_height / 2) + 0.5,
-		1,
-		0
+	simulation_systems.push(
+		system_input,
+		system_flow_field,
+		system_behavior,
+		system_physics,
+		system_hazard,
+		system_pickup,
+		system_mortal,
+		system_buff,
+		system_ttl,
+		system_animation
+	);
+	render_systems.push(
+		system_render_map,
+		system_render_entities,
+		system_render_ui
 	);
 
-	// Detect keyboard state
+	start_run(run_seed);
+
+	// Detect keyboard state, using the player's key bindings
+	load_bindings();
 	window.onkeydown = (e) => handle_key(e, true);
 	window.onkeyup = (e) => handle_key(e);
 
+	// Detect mouse wheel steps (capped, so a fast scroll can't skip weapons)
+	window.onwheel = (e) => (wheel = clamp(wheel + sign(e.deltaY), -1, 1));
+
+	// Detect mouse look and mouse buttons (while captured via Pointer Lock)
+	canvas.onmousedown = handle_mouse_down;
+	window.onmouseup = () => (mouse_down = false);
+	window.onmousemove = (e) => {
+		if (mouse_locked) {
+			mouse_dx += e.movementX;
+		}
+	};
+	document.onpointerlockchange = () => {
+		mouse_locked = document.pointerLockElement === canvas;
+		mouse_down = false;
+		// Browsers release the pointer on Escape without reporting the key press
+		if (!mouse_locked && is_playing()) {
+			pause();
+		}
+	};
+
+	// Pause when the window loses focus
+	window.onblur = () => {
+		if (is_playing()) {
+			pause();
+		}
+	};
+
 	game_timer = 0.5;
 
 	// Start the main loop